@@ -1,10 +1,24 @@
+import fs from "node:fs";
 import { handler } from "./index.mjs";
 
-// имитируем вызов Lambda
+// имитируем вызов Lambda через Function URL (payload 2.0):
+//   node local-run.mjs [METHOD] [/path?query] [file.ics]
+//   node local-run.mjs /agenda?days=3
+//   node local-run.mjs POST /inline?now=2026-02-09T08:00:00Z test.ics
+// LOCAL_API_KEY, if set, is sent as x-api-key
+const args = process.argv.slice(2);
+const method = /^[A-Z]+$/.test(args[0] ?? "") ? args.shift() : "GET";
+const url = new URL(args.shift() ?? "/", "http://localhost");
+const icsFile = args.shift();
+
 const fakeEvent = {
-  httpMethod: "GET",
-  headers: {},
-  queryStringParameters: null,
+  version: "2.0",
+  rawPath: url.pathname,
+  rawQueryString: url.search.slice(1),
+  headers: process.env.LOCAL_API_KEY ? { "x-api-key": process.env.LOCAL_API_KEY } : {},
+  queryStringParameters: url.search ? Object.fromEntries(url.searchParams) : null,
+  requestContext: { http: { method, path: url.pathname }, stage: "$default" },
+  ...(icsFile && { body: fs.readFileSync(icsFile).toString("base64"), isBase64Encoded: true })
 };
 
 async function main() {
@@ -12,7 +26,7 @@ async function main() {
     const res = await handler(fakeEvent);
     console.log("=== LAMBDA RESPONSE ===");
     console.log(JSON.stringify(res, null, 2));
-    if (typeof res?.body !== 'undefined' && res?.body !== null) {
+    if (typeof res?.body !== 'undefined' && res?.body !== null && res?.body !== '') {
       console.log("--- body ---");
       console.log(JSON.stringify(JSON.parse(res.body),null, 2));
     }